@@ -0,0 +1,66 @@
+/* scripts/migrate-entitlements.cjs - Moves accounts from usage_limits/main_tracker to billing/entitlements */
+// Usage: npm run migrate:entitlements [-- --apply]
+// main_tracker was writable from the browser, so nothing in it is copied on trust. Subscription state is fetched
+// from Stripe again, for a customer that a checkout session ties to the same user (client_reference_id), and the
+// period's audit count is re-added from the usage_events ledger. Without --apply it only prints what it would write.
+// Accounts that already have an entitlements doc are skipped, so the script can be re-run. Plans set by hand
+// (invoiced Enterprise) can't be verified and are listed at the end to be set again in the console.
+// Needs the server's .env (FIREBASE_SERVICE_ACCOUNT, STRIPE_SECRET_KEY, STRIPE_PRICE_*).
+const admin = require('firebase-admin');
+const { getUsageRef, getUsageEventsRef, getStripe, subscriptionState, withGracePeriod, getBillingPeriod } = require('../server.cjs');
+
+const APPLY = process.argv.includes('--apply');
+
+// The customer's newest subscription, but only if one of its checkout sessions was started by userId.
+const findVerifiedSubscription = async (userId, stripeCustomerId) => {
+    const stripe = getStripe();
+    const sessions = await stripe.checkout.sessions.list({ customer: stripeCustomerId, limit: 100 });
+    if (!sessions.data.some(session => session.client_reference_id === userId)) return null;
+    const subscriptions = await stripe.subscriptions.list({ customer: stripeCustomerId, status: 'all', limit: 1 });
+    return { subscription: subscriptions.data[0] || null };
+};
+
+const countChargedAudits = async (userId, periodKey) => {
+    const snapshot = await getUsageEventsRef(userId).where('periodKey', '==', periodKey).get();
+    return snapshot.docs.reduce((total, d) => total + (d.data().status === 'CHARGED' ? d.data().count || 0 : 0), 0);
+};
+
+const migrateAccount = async (trackerSnap) => {
+    const userId = trackerSnap.ref.parent.parent.id;
+    const entitlementsRef = getUsageRef(userId);
+    if ((await entitlementsRef.get()).exists) return { userId, skipped: 'already migrated' };
+    const tracker = trackerSnap.data();
+
+    let entitlements = {};
+    if (tracker.stripeCustomerId) {
+        const verified = await findVerifiedSubscription(userId, tracker.stripeCustomerId);
+        if (!verified) console.log(`⚠️ ${userId}: no checkout links ${tracker.stripeCustomerId} to this user; dropped`);
+        else if (verified.subscription) entitlements = withGracePeriod(subscriptionState(verified.subscription), {}, Date.now());
+        else entitlements = { stripeCustomerId: tracker.stripeCustomerId, isSubscribed: false };
+    }
+    const period = getBillingPeriod(entitlements);
+    entitlements = { ...entitlements, periodKey: period.key, periodStart: period.start, periodEnd: period.end, periodAudits: await countChargedAudits(userId, period.key) };
+
+    if (APPLY) await entitlementsRef.set(entitlements);
+    return { userId, entitlements, handSetPlan: tracker.plan === 'ENTERPRISE' && entitlements.plan !== 'ENTERPRISE' };
+};
+
+const run = async () => {
+    const snapshot = await admin.firestore().collectionGroup('usage_limits').get();
+    const trackers = snapshot.docs.filter(d => d.id === 'main_tracker');
+    const handSet = [];
+    for (const trackerSnap of trackers) {
+        const result = await migrateAccount(trackerSnap);
+        if (result.skipped) { console.log(`⏭️ ${result.userId}: ${result.skipped}`); continue; }
+        console.log(`${APPLY ? '✅' : '📝'} ${result.userId}: ${JSON.stringify(result.entitlements)}`);
+        if (result.handSetPlan) handSet.push(result.userId);
+    }
+    if (handSet.length) console.log(`Set plan: 'ENTERPRISE' by hand again for: ${handSet.join(', ')}`);
+    console.log(`${trackers.length} account(s) ${APPLY ? 'migrated' : 'checked; re-run with --apply to write'}.`);
+    process.exit(0);
+};
+
+run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
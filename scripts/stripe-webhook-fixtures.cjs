@@ -0,0 +1,209 @@
+/* scripts/stripe-webhook-fixtures.cjs - Replays signed Stripe events against /api/webhook */
+// Usage: npm run test:webhooks
+// Each scenario starts from a fresh in-memory Firestore, posts fixtures from scripts/fixtures/stripe through the
+// real route (signature check, stripe_events ledger, STRIPE_EVENT_HANDLERS) and checks the entitlements doc afterwards.
+// Exits non-zero on the first failed check. No Firebase project, Stripe account or network is needed.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_fixtures';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_fixtures';
+process.env.PAYMENT_GRACE_DAYS = '7';
+// Set (even empty) so dotenv can't load real credentials from .env.
+process.env.FIREBASE_SERVICE_ACCOUNT = '';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = '';
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+const USER_ID = 'user_fixture';
+const CUSTOMER_ID = 'cus_fixture';
+const USAGE_PATH = `users/${USER_ID}/billing/entitlements`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- IN-MEMORY FIRESTORE ---
+// Just the calls the webhook path makes: doc get/set/update, collectionGroup equality queries and transactions.
+const store = new Map();
+
+const makeDocRef = (docPath) => {
+    const segments = docPath.split('/');
+    return {
+        id: segments[segments.length - 1],
+        path: docPath,
+        get parent() { return makeCollectionRef(segments.slice(0, -1).join('/')); },
+        collection: (name) => makeCollectionRef(`${docPath}/${name}`),
+        get: async () => makeSnapshot(docPath),
+        set: async (data, options) => { store.set(docPath, options?.merge ? { ...(store.get(docPath) || {}), ...data } : { ...data }); },
+        update: async (data) => {
+            if (!store.has(docPath)) throw new Error(`No document to update: ${docPath}`);
+            store.set(docPath, { ...store.get(docPath), ...data });
+        }
+    };
+};
+
+const makeCollectionRef = (collectionPath) => {
+    const segments = collectionPath.split('/');
+    return {
+        id: segments[segments.length - 1],
+        path: collectionPath,
+        get parent() { return segments.length > 1 ? makeDocRef(segments.slice(0, -1).join('/')) : null; },
+        doc: (id) => makeDocRef(`${collectionPath}/${id}`)
+    };
+};
+
+const makeSnapshot = (docPath) => ({
+    id: docPath.split('/').pop(),
+    exists: store.has(docPath),
+    ref: makeDocRef(docPath),
+    data: () => store.get(docPath)
+});
+
+const firestore = {
+    collection: (name) => makeCollectionRef(name),
+    collectionGroup: (name) => ({
+        where: (field, op, value) => {
+            assert.strictEqual(op, '==', `Only equality queries are supported, got ${op}`);
+            return {
+                get: async () => {
+                    const docs = [...store.keys()]
+                        .filter(docPath => docPath.split('/').slice(-2)[0] === name && store.get(docPath)[field] === value)
+                        .map(makeSnapshot);
+                    return { empty: docs.length === 0, docs, forEach: (fn) => docs.forEach(fn) };
+                }
+            };
+        }
+    }),
+    // Scenarios deliver one event at a time, so running the callback directly is serial enough.
+    runTransaction: async (fn) => fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => { ref.set(data, options); },
+        update: (ref, data) => { ref.update(data); }
+    })
+};
+
+const admin = require('firebase-admin');
+admin.initializeApp({ projectId: 'demo-smartbid' });
+Object.defineProperty(admin, 'firestore', { value: () => firestore, configurable: true });
+
+const { app } = require('../server.cjs');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// --- DELIVERY ---
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+const deliver = async (baseUrl, event) => {
+    const payload = JSON.stringify(event);
+    const response = await fetch(`${baseUrl}/api/webhook`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET })
+        },
+        body: payload
+    });
+    const text = await response.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch { /* plain-text error */ }
+    return { status: response.status, body };
+};
+
+const usage = () => store.get(USAGE_PATH);
+const seedUsage = () => {
+    store.clear();
+    store.set(USAGE_PATH, { stripeCustomerId: CUSTOMER_ID, bidderChecks: 0 });
+};
+
+// --- SCENARIOS ---
+const SCENARIOS = {
+    'duplicate delivery is applied once': async (baseUrl) => {
+        const event = loadFixture('customer.subscription.updated.active');
+        const first = await deliver(baseUrl, event);
+        assert.strictEqual(first.status, 200);
+        assert.deepStrictEqual(first.body, { received: true });
+        const afterFirst = usage();
+
+        const second = await deliver(baseUrl, event);
+        assert.strictEqual(second.status, 200);
+        assert.deepStrictEqual(second.body, { received: true, duplicate: true });
+        assert.deepStrictEqual(usage(), afterFirst);
+        assert.strictEqual(store.get(`stripe_events/${event.id}`).status, 'processed');
+        assert.strictEqual(store.get(`stripe_events/${event.id}`).attempts, 1);
+    },
+
+    'an event older than stripeEventAt is skipped': async (baseUrl) => {
+        const active = loadFixture('customer.subscription.updated.active');
+        const stale = loadFixture('customer.subscription.updated.canceled-stale');
+        assert.ok(stale.created < active.created, 'fixture must be older than the active update');
+
+        assert.strictEqual((await deliver(baseUrl, active)).status, 200);
+        const response = await deliver(baseUrl, stale);
+        // Still acknowledged so Stripe stops retrying; only the patch is dropped.
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(usage().subscriptionStatus, 'active');
+        assert.strictEqual(usage().isSubscribed, true);
+        assert.strictEqual(usage().stripeEventAt, active.created * 1000);
+        assert.strictEqual(store.get(`stripe_events/${stale.id}`).status, 'processed');
+    },
+
+    'past_due keeps access through the grace period until invoice.paid': async (baseUrl) => {
+        const failed = loadFixture('invoice.payment_failed');
+        const retry = loadFixture('invoice.payment_failed.retry');
+        const paid = loadFixture('invoice.paid');
+
+        assert.strictEqual((await deliver(baseUrl, loadFixture('customer.subscription.updated.active'))).status, 200);
+
+        assert.strictEqual((await deliver(baseUrl, failed)).status, 200);
+        const pastDueSince = failed.created * 1000;
+        assert.strictEqual(usage().subscriptionStatus, 'past_due');
+        assert.strictEqual(usage().isSubscribed, true);
+        assert.strictEqual(usage().pastDueSince, pastDueSince);
+        assert.strictEqual(usage().graceUntil, pastDueSince + 7 * DAY_MS);
+
+        // A retried charge failing again must not push the grace window out.
+        assert.strictEqual((await deliver(baseUrl, retry)).status, 200);
+        assert.strictEqual(usage().pastDueSince, pastDueSince);
+        assert.strictEqual(usage().graceUntil, pastDueSince + 7 * DAY_MS);
+        assert.strictEqual(usage().lastPaymentFailedAt, retry.created * 1000);
+
+        assert.strictEqual((await deliver(baseUrl, paid)).status, 200);
+        assert.strictEqual(usage().subscriptionStatus, 'active');
+        assert.strictEqual(usage().isSubscribed, true);
+        assert.strictEqual(usage().pastDueSince, null);
+        assert.strictEqual(usage().graceUntil, null);
+        assert.strictEqual(usage().lastInvoicePaidAt, paid.created * 1000);
+    },
+
+    'a bad signature is rejected before anything is written': async (baseUrl) => {
+        const response = await fetch(`${baseUrl}/api/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': 't=0,v1=bad' },
+            body: JSON.stringify(loadFixture('invoice.paid'))
+        });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(usage().lastInvoicePaidAt, undefined);
+    }
+};
+
+const run = async () => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let failed = 0;
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        seedUsage();
+        try {
+            await scenario(baseUrl);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}\n${error.stack}`);
+        }
+    }
+    server.close();
+    if (failed) {
+        console.error(`${failed} of ${Object.keys(SCENARIOS).length} webhook scenarios failed.`);
+        process.exit(1);
+    }
+    process.exit(0);
+};
+
+run();
@@ -0,0 +1,47 @@
+/* src/scoring.js - Weighted compliance scoring, shared by the app and server.cjs */
+// The app imports it; the server require()s it (Node 20.19+ loads ES modules through require), so the score on
+// screen, in the PDF and in the admin exports is always the same number.
+
+export const CATEGORY_ENUM = ["LEGAL", "FINANCIAL", "TECHNICAL", "TIMELINE", "REPORTING", "ADMINISTRATIVE", "OTHER"];
+export const FLAG_SCORES = { 'COMPLIANT': 1, 'PARTIAL': 0.5, 'NON-COMPLIANT': 0 };
+
+// Equal weights + mandatory gates: what every report is scored with unless the user picks a profile.
+export const DEFAULT_SCORING_PROFILE = {
+    id: 'default',
+    name: 'Standard (Equal Weights)',
+    categoryWeights: Object.fromEntries(CATEGORY_ENUM.map(category => [category, 1])),
+    requirementWeights: {},
+    mandatoryGates: true
+};
+
+// The flag is the verdict; complianceScore is only read for old reports saved without one.
+const getFindingScore = (item) => {
+    if (item.scoreOverride) return item.complianceScore; // a reviewer set a custom score
+    if (item.flag in FLAG_SCORES) return FLAG_SCORES[item.flag];
+    const score = item.complianceScore || 0;
+    return score > 1 ? score / 100 : score;
+};
+
+// Per-requirement weight beats per-category weight; anything unlisted weighs 1.
+const getFindingWeight = (item, profile) => profile.requirementWeights?.[item.requirementId] ?? profile.categoryWeights?.[item.category] ?? 1;
+
+// Scores a report under a profile (explicit > the one saved with the report > default). Mandatory requirements
+// are gates: one NON-COMPLIANT mandatory finding disqualifies the bid whatever the weighted average says.
+export const getWeightedScore = (report, profile) => {
+    const activeProfile = profile || report.scoringProfile || DEFAULT_SCORING_PROFILE;
+    const findings = report.findings || [];
+    let totalScore = 0;
+    let maxScore = 0;
+    findings.forEach(item => {
+        const weight = getFindingWeight(item, activeProfile);
+        totalScore += weight * getFindingScore(item);
+        maxScore += weight;
+    });
+    const failedMandatory = activeProfile.mandatoryGates ? findings.filter(item => item.mandatory && item.flag === 'NON-COMPLIANT') : [];
+    return {
+        percentage: maxScore > 0 ? parseFloat(((totalScore / maxScore) * 100).toFixed(1)) : 0,
+        disqualified: failedMandatory.length > 0,
+        failedMandatory,
+        profileName: activeProfile.name
+    };
+};